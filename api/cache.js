@@ -0,0 +1,148 @@
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Seconds an entry is fresh (ttl) and how much longer it may be served while revalidating (stale).
+// Override per endpoint with CACHE_TTL_<ENDPOINT> / CACHE_STALE_<ENDPOINT>, e.g. CACHE_TTL_INVENTORY=30.
+const DEFAULT_TTLS = {
+  catalog: { ttl: 300, stale: 3600 },
+  products: { ttl: 300, stale: 3600 },
+  styles: { ttl: 3600, stale: 86400 },
+  categories: { ttl: 86400, stale: 604800 },
+  specs: { ttl: 86400, stale: 604800 },
+  inventory: { ttl: 60, stale: 300 },
+};
+
+export function cacheTtl(endpoint) {
+  const defaults = DEFAULT_TTLS[endpoint] || { ttl: 300, stale: 0 };
+  const name = endpoint.toUpperCase();
+  const ttl = Number(process.env[`CACHE_TTL_${name}`] ?? defaults.ttl);
+  const stale = Number(process.env[`CACHE_STALE_${name}`] ?? defaults.stale);
+  return { ttl, stale };
+}
+
+// Map order doubles as recency: get() moves a key to the end, set() evicts from the front past maxEntries.
+export function memoryBackend(maxEntries = Number(process.env.CACHE_MAX_ENTRIES || 500)) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.staleUntil < Date.now()) return null;
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      const now = Date.now();
+      entries.delete(key);
+      for (const [k, e] of entries) {
+        if (e.staleUntil < now) entries.delete(k);
+      }
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export function fileBackend(dir = path.join(os.tmpdir(), "catalog-cache")) {
+  const fileFor = (key) => path.join(dir, createHash("sha1").update(key).digest("hex") + ".json");
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        return entry.staleUntil < Date.now() ? null : entry;
+      } catch (error) {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+// Wraps any client with ioredis-style get(key) / set(key, value, "EX", seconds) / del(key).
+export function redisBackend(client, prefix = "catalog:") {
+  return {
+    async get(key) {
+      const json = await client.get(prefix + key);
+      return json ? JSON.parse(json) : null;
+    },
+    async set(key, entry) {
+      const seconds = Math.max(1, Math.ceil((entry.staleUntil - Date.now()) / 1000));
+      await client.set(prefix + key, JSON.stringify(entry), "EX", seconds);
+    },
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+  };
+}
+
+let backend = process.env.CACHE_BACKEND === "file" ? fileBackend(process.env.CACHE_DIR) : memoryBackend();
+const inFlight = new Map();
+
+export function setCacheBackend(next) {
+  backend = next;
+}
+
+export function cacheKey(endpoint, params) {
+  const parts = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${String(v).trim().toLowerCase()}`);
+  return `${endpoint}?${parts.join("&")}`;
+}
+
+async function refresh(key, endpoint, loader) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const { ttl, stale } = cacheTtl(endpoint);
+  const pending = (async () => {
+    try {
+      const value = await loader();
+      const now = Date.now();
+      await backend.set(key, { value, storedAt: now, freshUntil: now + ttl * 1000, staleUntil: now + (ttl + stale) * 1000 });
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Returns { value, status } where status is HIT, STALE (served while revalidating), MISS or BYPASS.
+export async function cached(endpoint, params, loader) {
+  const key = cacheKey(endpoint, params);
+  if (cacheTtl(endpoint).ttl <= 0) {
+    return { value: await loader(), status: "BYPASS" };
+  }
+
+  const entry = await backend.get(key);
+
+  if (entry && entry.freshUntil > Date.now()) {
+    return { value: entry.value, status: "HIT" };
+  }
+  if (entry) {
+    refresh(key, endpoint, loader).catch((error) => console.error(`[cache] revalidate ${key} failed`, error));
+    return { value: entry.value, status: "STALE" };
+  }
+  return { value: await refresh(key, endpoint, loader), status: "MISS" };
+}
+
+export function setCacheHeaders(res, endpoint, status) {
+  const { ttl, stale } = cacheTtl(endpoint);
+  res.setHeader("X-Cache", status);
+  res.setHeader("Cache-Control", ttl > 0 ? `public, s-maxage=${ttl}, stale-while-revalidate=${stale}` : "no-store");
+}
@@ -1,45 +1,94 @@
-import { fetchSNSCatalog } from "./ssaw.js";
-import { fetchSanMarCatalog } from "./sanmar.js";
-import { normalizeProduct } from "./normalize.js";
-
-export default async function handler(req, res) {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const supplier = url.searchParams.get("supplier") || "sns";
-  const query = url.searchParams.get("query") || "";
+import { getSupplier, listSuppliers, fallbackOrder } from "../suppliers.js";
+import { mergeProducts } from "../merge.js";
+import { isValidProduct } from "../normalize.js";
+import { cached, setCacheHeaders } from "../cache.js";
+import { isAvailable } from "../http-client.js";
+import { CatalogError, toCatalogError, errorBody } from "../errors.js";
+import { parseCatalogQuery, applyCatalogQuery } from "../query.js";
 
+// Runs one supplier search and records the outcome in the attempt log.
+async function attemptSearch(id, query, attempts) {
+  const started = Date.now();
+  if (!isAvailable(id)) {
+    attempts.push({ supplier: id, result: "skipped", code: "supplier_unavailable", ms: 0 });
+    throw new CatalogError("supplier_unavailable", `${id} is temporarily unavailable`, { supplier: id });
+  }
   try {
-    let rawData = [];
-    let source = supplier;
+    const rawData = (await getSupplier(id).search(query)) || [];
+    attempts.push({ supplier: id, result: rawData.length ? "ok" : "empty", count: rawData.length, ms: Date.now() - started });
+    return rawData.map((p) => getSupplier(id).normalize(p));
+  } catch (error) {
+    const err = toCatalogError(error, id);
+    attempts.push({ supplier: id, result: "error", code: err.code, message: err.message, ms: Date.now() - started });
+    throw err;
+  }
+}
+
+// An empty answer only counts as "no results" when no supplier errored; otherwise the first error is reported.
+async function searchWithFallback(supplier, query, fallback, attempts) {
+  let firstError = null;
+
+  for (const id of fallbackOrder(supplier, fallback)) {
+    try {
+      const products = await attemptSearch(id, query, attempts);
+      if (products.length > 0) return products;
+      console.log(`No results from ${id}`);
+    } catch (error) {
+      console.error(`${id} search failed`, error);
+      firstError = firstError || error;
+    }
+  }
 
-    if (supplier === "sns") {
-      rawData = await fetchSNSCatalog(query);
+  if (firstError) throw firstError;
+  return [];
+}
 
-      if (!rawData || rawData.length === 0) {
-        console.log("No results from S&S — falling back to SanMar");
-        rawData = await fetchSanMarCatalog(query);
-        source = "sanmar";
-      }
+// mode=merge: every supplier in parallel; the handler groups the rows into variants.
+async function searchAll(query, attempts) {
+  const settled = await Promise.allSettled(listSuppliers().map((id) => attemptSearch(id, query, attempts)));
+  const failures = settled.filter((r) => r.status === "rejected").map((r) => r.reason);
+  const products = settled.flatMap((r) => (r.status === "fulfilled" ? r.value : []));
 
-    } else if (supplier === "sanmar") {
-      rawData = await fetchSanMarCatalog(query);
+  if (!products.length && failures.length) throw failures[0];
+  return products;
+}
 
-      if (!rawData || rawData.length === 0) {
-        console.log("No results from SanMar — falling back to S&S");
-        rawData = await fetchSNSCatalog(query);
-        source = "sns";
-      }
+export default async function handler(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const supplier = url.searchParams.get("supplier") || "sns";
+  const query = (url.searchParams.get("query") || "").trim();
+  const mode = url.searchParams.get("mode") || "fallback";
+  const includeInvalid = url.searchParams.get("includeInvalid") === "1";
+  const fallback = url.searchParams.get("fallback");
+  const attempts = [];
 
-    } else {
-      return res.status(400).json({ error: "Invalid supplier" });
-    }
+  if (!getSupplier(supplier)) {
+    const error = new CatalogError("bad_query", `Invalid supplier "${supplier}"`);
+    return res.status(error.status).json(errorBody(error));
+  }
+  if (!query) {
+    const error = new CatalogError("bad_query", "Enter a brand, style, part number, or SKU to search");
+    return res.status(error.status).json(errorBody(error));
+  }
 
-    const products = rawData.map((p) =>
-      normalizeProduct({ ...p, provider: source })
+  try {
+    const { value: normalized, status } = await cached(
+      "catalog",
+      { supplier: mode === "merge" ? "all" : supplier, mode, fallback, query },
+      () => (mode === "merge" ? searchAll(query, attempts) : searchWithFallback(supplier, query, fallback, attempts))
     );
+    setCacheHeaders(res, "catalog", status);
+
+    // Rows missing required schema fields are dropped unless ?includeInvalid=1 (they keep their issues[]).
+    const products = includeInvalid ? normalized : normalized.filter(isValidProduct);
+    res.setHeader("X-Catalog-Rejected", String(normalized.length - products.length));
 
-    res.status(200).json(products);
+    // { items, total, page, pageSize, pages, facets, attempts }; attempts is empty when served from cache.
+    const rows = mode === "merge" ? mergeProducts(products) : products;
+    res.status(200).json({ ...applyCatalogQuery(rows, parseCatalogQuery(url.searchParams)), attempts });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ error: "Catalog fetch failed" });
+    const err = toCatalogError(error);
+    res.status(err.status).json(errorBody(err, attempts));
   }
 }
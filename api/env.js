@@ -0,0 +1,35 @@
+import { CatalogError } from "./errors.js";
+
+const REQUIRED_ENV = {
+  sns: ["SNS_ACCOUNT", "SNS_API_KEY"],
+  sanmar: ["SANMAR_USER", "SANMAR_PASS", "SANMAR_ACCOUNT"],
+};
+
+// Missing credentials surface as auth_failed so the UI reports them like a rejected login.
+export class ConfigError extends CatalogError {
+  constructor(supplier, missing) {
+    super("auth_failed", `${supplier} is not configured — missing environment variable(s): ${missing.join(", ")}`, {
+      supplier,
+    });
+    this.name = "ConfigError";
+    this.missing = missing;
+  }
+}
+
+export function missingEnv(supplier) {
+  return (REQUIRED_ENV[supplier] || []).filter((name) => !process.env[name]);
+}
+
+export function requireEnv(supplier) {
+  const missing = missingEnv(supplier);
+  if (missing.length) throw new ConfigError(supplier, missing);
+}
+
+// Logged once per cold start so a misconfigured deployment is obvious in the function logs.
+export function reportMissingEnv(supplier) {
+  const missing = missingEnv(supplier);
+  if (missing.length) {
+    console.error(`[config] ${supplier}: missing ${missing.join(", ")}`);
+  }
+  return missing;
+}
@@ -0,0 +1,41 @@
+// Error codes shared by every supplier adapter and returned to the UI.
+export const ERROR_STATUS = {
+  auth_failed: 502,
+  supplier_unavailable: 503,
+  rate_limited: 429,
+  bad_query: 400,
+  not_found: 404,
+};
+
+export class CatalogError extends Error {
+  constructor(code, message, { supplier = "", detail = "" } = {}) {
+    super(message);
+    this.name = "CatalogError";
+    this.code = ERROR_STATUS[code] ? code : "supplier_unavailable";
+    this.status = ERROR_STATUS[this.code];
+    this.supplier = supplier;
+    this.detail = detail;
+  }
+}
+
+export function codeForStatus(status) {
+  if (status === 401 || status === 403) return "auth_failed";
+  if (status === 429) return "rate_limited";
+  if (status === 404) return "not_found";
+  if (status === 400 || status === 422) return "bad_query";
+  return "supplier_unavailable";
+}
+
+// Anything an adapter throws (timeouts, DNS failures, bugs) becomes a CatalogError.
+export function toCatalogError(error, supplier = "") {
+  if (error instanceof CatalogError) return error;
+  return new CatalogError("supplier_unavailable", error?.message || "Supplier request failed", { supplier });
+}
+
+export function errorBody(error, attempts) {
+  const body = { error: error.message, code: error.code };
+  if (error.supplier) body.supplier = error.supplier;
+  if (error.missing) body.missing = error.missing;
+  if (attempts) body.attempts = attempts;
+  return body;
+}
@@ -0,0 +1,174 @@
+import { CatalogError } from "./errors.js";
+
+// Shared fetch for supplier adapters: per-supplier concurrency and rate limits, timeouts,
+// retries with exponential backoff (honoring Retry-After) and a circuit breaker.
+
+const DEFAULT_LIMITS = {
+  // S&S allows 60 requests per minute per account.
+  sns: { concurrency: 4, perMinute: 60, timeoutMs: 10000, retries: 2 },
+  sanmar: { concurrency: 2, perMinute: 120, timeoutMs: 20000, retries: 2 },
+};
+const FALLBACK_LIMITS = { concurrency: 2, perMinute: 60, timeoutMs: 10000, retries: 2 };
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10000;
+const BREAKER_THRESHOLD = Number(process.env.BREAKER_THRESHOLD || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 30000);
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+export class SupplierUnavailableError extends CatalogError {
+  constructor(supplier, message = `${supplier} is temporarily unavailable`) {
+    super("supplier_unavailable", message, { supplier });
+    this.name = "SupplierUnavailableError";
+  }
+}
+
+const suppliers = new Map();
+
+function limitsFor(supplier) {
+  const base = DEFAULT_LIMITS[supplier] || FALLBACK_LIMITS;
+  const env = (name) => process.env[`${supplier.toUpperCase()}_${name}`];
+  return {
+    concurrency: Number(env("CONCURRENCY") || base.concurrency),
+    perMinute: Number(env("RATE_PER_MINUTE") || base.perMinute),
+    timeoutMs: Number(env("TIMEOUT_MS") || base.timeoutMs),
+    retries: Number(env("RETRIES") ?? base.retries),
+  };
+}
+
+function stateFor(supplier) {
+  if (!suppliers.has(supplier)) {
+    const limits = limitsFor(supplier);
+    suppliers.set(supplier, {
+      limits,
+      active: 0,
+      queue: [],
+      tokens: limits.perMinute,
+      refilledAt: Date.now(),
+      failures: 0,
+      openedAt: 0,
+      trial: false,
+      trialWaiters: [],
+    });
+  }
+  return suppliers.get(supplier);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A queued caller inherits the releasing caller's slot, so active never dips below the limit in between.
+async function acquire(s) {
+  if (s.active >= s.limits.concurrency) {
+    await new Promise((resolve) => s.queue.push(resolve));
+  } else {
+    s.active++;
+  }
+
+  // Token bucket: bursts up to the per-minute allowance, refilled continuously at perMinute / 60s.
+  const perMs = s.limits.perMinute / 60000;
+  for (;;) {
+    const now = Date.now();
+    s.tokens = Math.min(s.limits.perMinute, s.tokens + (now - s.refilledAt) * perMs);
+    s.refilledAt = now;
+    if (s.tokens >= 1) break;
+    await sleep(Math.ceil((1 - s.tokens) / perMs));
+  }
+  s.tokens--;
+}
+
+function release(s) {
+  const next = s.queue.shift();
+  if (next) next();
+  else s.active--;
+}
+
+function retryDelay(res, attempt) {
+  const header = res?.headers.get("retry-after");
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (ms >= 0) return Math.min(ms, BACKOFF_MAX_MS);
+  }
+  const exp = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(exp + Math.random() * BACKOFF_BASE_MS, BACKOFF_MAX_MS);
+}
+
+// closed: normal; open: failing, skipped until the cooldown passes; half-open: one trial request,
+// with later calls queued until it settles.
+export function circuitState(supplier) {
+  const s = stateFor(supplier);
+  if (!s.openedAt) return "closed";
+  return Date.now() - s.openedAt >= BREAKER_COOLDOWN_MS ? "half-open" : "open";
+}
+
+export function isAvailable(supplier) {
+  return circuitState(supplier) !== "open";
+}
+
+function endTrial(s) {
+  s.trial = false;
+  const waiters = s.trialWaiters.splice(0);
+  waiters.forEach((resolve) => resolve());
+}
+
+function recordSuccess(s) {
+  s.failures = 0;
+  s.openedAt = 0;
+  endTrial(s);
+}
+
+function recordFailure(supplier, s) {
+  s.failures++;
+  if (s.openedAt || s.failures >= BREAKER_THRESHOLD) {
+    s.openedAt = Date.now();
+    console.error(`[http] circuit open for ${supplier} after ${s.failures} failure(s)`);
+  }
+  endTrial(s);
+}
+
+// Waits out an in-flight half-open trial, then either proceeds, becomes the next trial or fails fast.
+async function admit(supplier, s) {
+  for (;;) {
+    const state = circuitState(supplier);
+    if (state === "closed") return;
+    if (state === "open") throw new SupplierUnavailableError(supplier);
+    if (!s.trial) {
+      s.trial = true;
+      return;
+    }
+    await new Promise((resolve) => s.trialWaiters.push(resolve));
+  }
+}
+
+export async function supplierFetch(supplier, url, options = {}) {
+  const s = stateFor(supplier);
+  await admit(supplier, s);
+
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let error = null;
+
+    await acquire(s);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), s.limits.timeoutMs);
+    try {
+      res = await fetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+      const message = err.name === "AbortError" ? `${supplier} request timed out after ${s.limits.timeoutMs}ms` : err.message;
+      error = new SupplierUnavailableError(supplier, message);
+    } finally {
+      clearTimeout(timer);
+      release(s);
+    }
+
+    // Retrying and breaker accounting are separate: a plain 500 is not retried but still counts as a failure.
+    const retryable = error || RETRY_STATUSES.includes(res.status);
+    if (!retryable || attempt >= s.limits.retries) {
+      if (retryable || res.status >= 500) recordFailure(supplier, s);
+      else recordSuccess(s);
+      if (error) throw error;
+      return res;
+    }
+    await sleep(retryDelay(res, attempt));
+  }
+}
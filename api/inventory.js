@@ -0,0 +1,36 @@
+import { getSupplier } from "./suppliers.js";
+import { cached, setCacheHeaders } from "./cache.js";
+import { CatalogError, toCatalogError, errorBody } from "./errors.js";
+
+// Live stock per size and warehouse: /api/inventory?supplier=sns&style=5000&color=Black&sizes=S,M,L
+export default async function handler(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const supplier = url.searchParams.get("supplier") || "sns";
+  const style = (url.searchParams.get("style") || "").trim();
+  const color = (url.searchParams.get("color") || "").trim();
+  const colorCode = (url.searchParams.get("colorCode") || "").trim();
+  const sizes = (url.searchParams.get("sizes") || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+  if (!getSupplier(supplier)) {
+    const error = new CatalogError("bad_query", `Invalid supplier "${supplier}"`);
+    return res.status(error.status).json(errorBody(error));
+  }
+  if (!style) {
+    const error = new CatalogError("bad_query", "style is required", { supplier });
+    return res.status(error.status).json(errorBody(error));
+  }
+
+  try {
+    const { value: items, status } = await cached(
+      "inventory",
+      { supplier, style, color, colorCode, sizes: sizes.join(",") },
+      () => getSupplier(supplier).getInventory({ style, color, colorCode, sizes })
+    );
+    setCacheHeaders(res, "inventory", status);
+    res.status(200).json({ supplier, style, color, items });
+  } catch (error) {
+    console.error(error);
+    const err = toCatalogError(error, supplier);
+    res.status(err.status).json(errorBody(err));
+  }
+}
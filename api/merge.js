@@ -0,0 +1,43 @@
+const keyPart = (v) => String(v || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+export function variantKey(p) {
+  return [p.brand, p.style, p.variant.color, p.variant.size].map(keyPart).join("|");
+}
+
+// Groups normalized products from several suppliers into one entry per brand+style+color+size,
+// keeping each supplier's price and stock as an offer, cheapest first.
+export function mergeProducts(products) {
+  const variants = new Map();
+
+  for (const p of products) {
+    const key = variantKey(p);
+    let variant = variants.get(key);
+    if (!variant) {
+      variant = {
+        brand: p.brand,
+        style: p.style,
+        title: p.title,
+        variant: p.variant,
+        images: { ...p.images },
+        offers: [],
+      };
+      variants.set(key, variant);
+    }
+    for (const side of ["front", "back", "swatch"]) {
+      if (!variant.images[side]) variant.images[side] = p.images[side];
+    }
+    variant.offers.push({
+      provider: p.provider,
+      sku: p.sku,
+      price: p.pricing.best,
+      pricing: p.pricing,
+      stock: p.inventory.total,
+    });
+  }
+
+  return Array.from(variants.values()).map((variant) => {
+    variant.offers.sort((a, b) => (a.price || Infinity) - (b.price || Infinity));
+    const best = variant.offers.find((o) => o.price > 0);
+    return { ...variant, bestPrice: best?.price ?? 0, bestProvider: best?.provider ?? "" };
+  });
+}
@@ -1,13 +1,145 @@
-export function normalizeProduct(p) {
-  return {
-    brand: p.brand || p.brandName || "",
-    style: p.style || p.styleName || "",
-    color: p.color || p.colorName || "",
-    size: p.size || p.sizeName || "",
-    price: p.price || p.customerPrice || p.retailPrice || 0,
-    imageFront: p.imageFront || p.colorFrontImage || "",
-    imageBack: p.imageBack || p.colorBackImage || "",
-    sku: p.sku || p.productId || "",
-    provider: p.provider || (p.customerPrice ? "sns" : "sanmar"),
+/*
+ * Normalized catalog product, schema version 1.
+ *
+ * {
+ *   schemaVersion: 1,
+ *   provider: "sns" | "sanmar",
+ *   sku: string,                      required
+ *   brand: string,                    required
+ *   style: string,                    required
+ *   styleId: string | null,           supplier's numeric style id, when it has one
+ *   title: string,
+ *   variant: { color, colorCode, size, sizeIndex },   color and size required
+ *   pricing: { piece, dozen, case, sale, customer, best },
+ *       all numbers or null; best is the price we quote from (sale > customer > piece)
+ *   images: { front, back, swatch },  absolute URLs or ""
+ *   inventory: { total, warehouses: [{ warehouse, qty }] },   total is null when unknown
+ *   gtin: string,
+ *   weight: number | null,            pounds per piece
+ *   issues: string[],                 required fields that were missing
+ *   raw: object                       the supplier row, untouched
+ * }
+ */
+import { CatalogError } from "./errors.js";
+
+export const SCHEMA_VERSION = 1;
+
+const REQUIRED_FIELDS = ["sku", "brand", "style", "variant.color", "variant.size"];
+const SNS_IMAGE_BASE = "https://www.ssactivewear.com/";
+
+const str = (v) => (v === undefined || v === null ? "" : String(v).trim());
+const num = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const n = parseFloat(String(v).replace(/[^0-9.\-]/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+const firstPrice = (...values) => values.find((v) => v !== null && v > 0) ?? null;
+
+function snsImage(path) {
+  const p = str(path);
+  if (!p || /^https?:\/\//i.test(p)) return p;
+  return SNS_IMAGE_BASE + p.replace(/^\//, "");
+}
+
+function withIssues(product) {
+  const issues = REQUIRED_FIELDS.filter((field) => {
+    const value = field.split(".").reduce((o, k) => o?.[k], product);
+    return !str(value);
+  });
+  return { ...product, issues };
+}
+
+export function normalizeSNSProduct(p) {
+  const warehouses = (p.warehouses || []).map((w) => ({
+    warehouse: str(w.warehouseAbbr),
+    qty: Number(w.qty) || 0,
+  }));
+  const total =
+    p.qty !== undefined ? Number(p.qty) || 0 : warehouses.length ? warehouses.reduce((s, w) => s + w.qty, 0) : null;
+  const pricing = {
+    piece: num(p.piecePrice),
+    dozen: num(p.dozenPrice),
+    case: num(p.casePrice),
+    sale: num(p.salePrice),
+    customer: num(p.customerPrice),
+  };
+  pricing.best = firstPrice(pricing.sale, pricing.customer, pricing.piece) ?? 0;
+
+  return withIssues({
+    schemaVersion: SCHEMA_VERSION,
+    provider: "sns",
+    sku: str(p.sku),
+    brand: str(p.brandName),
+    style: str(p.styleName),
+    styleId: str(p.styleID) || null,
+    title: str(p.title || p.styleTitle),
+    variant: {
+      color: str(p.colorName),
+      colorCode: str(p.colorCode),
+      size: str(p.sizeName),
+      sizeIndex: num(p.sizeOrder),
+    },
+    pricing,
+    images: {
+      front: snsImage(p.colorFrontImage),
+      back: snsImage(p.colorBackImage),
+      swatch: snsImage(p.colorSwatchImage),
+    },
+    inventory: { total, warehouses },
+    gtin: str(p.gtin),
+    weight: num(p.unitWeight),
+    raw: p,
+  });
+}
+
+export function normalizeSanMarProduct(p) {
+  const pricing = {
+    piece: num(p.piecePrice),
+    dozen: num(p.dozenPrice),
+    case: num(p.casePrice),
+    sale: num(p.salePrice),
+    customer: null,
   };
+  pricing.best = firstPrice(pricing.sale, pricing.piece) ?? 0;
+
+  return withIssues({
+    schemaVersion: SCHEMA_VERSION,
+    provider: "sanmar",
+    sku: str(p.sku),
+    brand: str(p.brandName),
+    style: str(p.styleName),
+    styleId: null,
+    title: str(p.title),
+    variant: {
+      color: str(p.colorName),
+      colorCode: str(p.catalogColor),
+      size: str(p.sizeName),
+      sizeIndex: num(p.sizeIndex),
+    },
+    pricing,
+    images: {
+      front: str(p.colorFrontImage),
+      back: str(p.colorBackImage),
+      swatch: str(p.colorSwatchImage),
+    },
+    inventory: { total: null, warehouses: [] },
+    gtin: str(p.gtin),
+    weight: num(p.pieceWeight),
+    raw: p,
+  });
+}
+
+const normalizers = { sns: normalizeSNSProduct, sanmar: normalizeSanMarProduct };
+
+export function normalizeProduct(p) {
+  const provider = p.provider || (p.customerPrice !== undefined ? "sns" : "sanmar");
+  const { provider: _, ...row } = p;
+  if (!normalizers[provider]) {
+    throw new CatalogError("bad_query", `No normalizer for provider "${provider}"`, { supplier: provider });
+  }
+  return normalizers[provider](row);
+}
+
+export function isValidProduct(product) {
+  return product.issues.length === 0;
 }
@@ -0,0 +1,101 @@
+// Filtering, sorting, faceting and pagination for /api/catalog. Works on normalized products
+// and on merged variants (mode=merge), which share brand/style/variant but carry offers[].
+
+const MAX_PAGE_SIZE = 100;
+const SIZE_ORDER = ["NB", "6M", "12M", "18M", "24M", "2T", "3T", "4T", "5T", "XXS", "XS", "S", "M", "L", "XL", "2XL", "3XL", "4XL", "5XL", "6XL"];
+const FACETS = ["brand", "style", "color", "size"];
+
+const field = {
+  brand: (p) => p.brand,
+  style: (p) => p.style,
+  color: (p) => p.variant.color,
+  size: (p) => p.variant.size,
+  price: (p) => (p.pricing ? p.pricing.best : p.bestPrice) || 0,
+  stock: (p) =>
+    p.inventory ? p.inventory.total : p.offers.reduce((sum, o) => (o.stock === null ? sum : (sum ?? 0) + o.stock), null),
+};
+
+function sizeRank(p) {
+  if (p.variant.sizeIndex !== null && p.variant.sizeIndex !== undefined) return p.variant.sizeIndex;
+  const i = SIZE_ORDER.indexOf(String(p.variant.size).toUpperCase().replace(/^XXL$/, "2XL").replace(/^XXXL$/, "3XL"));
+  return i === -1 ? SIZE_ORDER.length : i;
+}
+
+const comparators = {
+  brand: (a, b) => field.brand(a).localeCompare(field.brand(b)),
+  style: (a, b) => field.style(a).localeCompare(field.style(b), undefined, { numeric: true }),
+  color: (a, b) => field.color(a).localeCompare(field.color(b)),
+  size: (a, b) => sizeRank(a) - sizeRank(b),
+  price: (a, b) => field.price(a) - field.price(b),
+  stock: (a, b) => (field.stock(a) ?? -1) - (field.stock(b) ?? -1),
+};
+
+const numberParam = (v) => (v === null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+export function parseCatalogQuery(params) {
+  const sort = params.get("sort");
+  return {
+    brand: params.get("brand") || "",
+    style: params.get("style") || "",
+    color: params.get("color") || "",
+    size: params.get("size") || "",
+    minPrice: numberParam(params.get("minPrice")),
+    maxPrice: numberParam(params.get("maxPrice")),
+    inStock: params.get("inStock") === "1" || params.get("inStock") === "true",
+    sort: comparators[sort] ? sort : "brand",
+    dir: params.get("dir") === "desc" ? "desc" : "asc",
+    page: Math.max(1, Math.floor(numberParam(params.get("page")) || 1)),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(numberParam(params.get("pageSize")) || 20))),
+  };
+}
+
+// Every filter except `skip`, so a facet's counts reflect the other active filters.
+function matches(p, q, skip) {
+  for (const name of FACETS) {
+    if (name !== skip && q[name] && field[name](p) !== q[name]) return false;
+  }
+  const price = field.price(p);
+  if (q.minPrice !== null && price < q.minPrice) return false;
+  if (q.maxPrice !== null && price > q.maxPrice) return false;
+  if (q.inStock && !(field.stock(p) > 0)) return false;
+  return true;
+}
+
+function facetCounts(products, q, name) {
+  const counts = new Map();
+  for (const p of products) {
+    if (!matches(p, q, name)) continue;
+    const value = field[name](p);
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  const entries = Array.from(counts, ([value, count]) => ({ value, count }));
+  if (name === "size") {
+    const rank = new Map(products.map((p) => [field.size(p), sizeRank(p)]));
+    return entries.sort((a, b) => rank.get(a.value) - rank.get(b.value));
+  }
+  return entries.sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+}
+
+export function applyCatalogQuery(products, q) {
+  const filtered = products.filter((p) => matches(p, q, null));
+  const cmp = comparators[q.sort];
+  filtered.sort((a, b) => (q.dir === "desc" ? -cmp(a, b) : cmp(a, b)));
+
+  const prices = products.map(field.price).filter((n) => n > 0);
+  const facets = Object.fromEntries(FACETS.map((name) => [name, facetCounts(products, q, name)]));
+  facets.price = { min: prices.length ? Math.min(...prices) : 0, max: prices.length ? Math.max(...prices) : 0 };
+  facets.inStock = products.filter((p) => matches(p, { ...q, inStock: true }, null)).length;
+
+  const pages = Math.max(1, Math.ceil(filtered.length / q.pageSize));
+  const page = Math.min(q.page, pages);
+  const start = (page - 1) * q.pageSize;
+
+  return {
+    items: filtered.slice(start, start + q.pageSize),
+    total: filtered.length,
+    page,
+    pageSize: q.pageSize,
+    pages,
+    facets,
+  };
+}
@@ -0,0 +1,108 @@
+// The vendored src/ build needs strnum, which is not vendored; the CJS bundle is self-contained.
+import fxp from "../node_module/fast-xml-parser/lib/fxp.cjs";
+import { requireEnv, reportMissingEnv } from "./env.js";
+import { supplierFetch } from "./http-client.js";
+import { CatalogError, codeForStatus } from "./errors.js";
+
+const SANMAR_WS_URL = process.env.SANMAR_WS_URL || "https://ws.sanmar.com:8080/SanMarWebService";
+
+// SanMar splits its SOAP API across several ports, each with its own namespace.
+export const SANMAR_SERVICES = {
+  product: { port: "SanMarProductInfoServicePort", ns: "http://impl.webservice.integration.sanmar.com/" },
+  pricing: { port: "SanMarPricingServicePort", ns: "http://impl.webservice.integration.sanmar.com/" },
+  inventory: { port: "SanMarWebServicePort", ns: "http://webservice.integration.sanmar.com/" },
+};
+
+reportMissingEnv("sanmar");
+
+const parser = new fxp.XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: true,
+  parseTagValue: false,
+  isArray: (name) => ["listResponse", "whse", "int", "sku"].includes(name),
+});
+
+export class SanMarError extends CatalogError {
+  constructor(message, code, detail = "") {
+    super(code, message, { supplier: "sanmar", detail });
+    this.name = "SanMarError";
+  }
+}
+
+function classifyFault(message) {
+  if (/auth|password|user ?name|not authorized|customer number/i.test(message)) return "auth_failed";
+  if (/no .*found|not found|does not exist/i.test(message)) return "not_found";
+  if (/invalid|required|must be/i.test(message)) return "bad_query";
+  return "supplier_unavailable";
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Turns { style: "5000", color: "" } into <style>5000</style><color></color>.
+export function toXml(fields) {
+  return Object.entries(fields)
+    .map(([tag, value]) => `<${tag}>${escapeXml(value)}</${tag}>`)
+    .join("");
+}
+
+export function sanmarCredentials() {
+  requireEnv("sanmar");
+  return {
+    sanMarCustomerNumber: process.env.SANMAR_ACCOUNT,
+    sanMarUserName: process.env.SANMAR_USER,
+    sanMarUserPassword: process.env.SANMAR_PASS,
+  };
+}
+
+export function buildEnvelope(service, operation, body) {
+  const { ns } = SANMAR_SERVICES[service];
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:sm="${ns}">` +
+    `<soapenv:Header/><soapenv:Body><sm:${operation}>${body}</sm:${operation}></soapenv:Body>` +
+    `</soapenv:Envelope>`
+  );
+}
+
+// Posts an envelope and returns the operation's <return> element, or throws SanMarError.
+export async function soapRequest(service, operation, body) {
+  const { port } = SANMAR_SERVICES[service];
+  const res = await supplierFetch("sanmar", `${SANMAR_WS_URL}/${port}`, {
+    method: "POST",
+    headers: { "Content-Type": "text/xml; charset=utf-8", SOAPAction: "" },
+    body: buildEnvelope(service, operation, body),
+  });
+  const xml = await res.text();
+
+  let envelope;
+  try {
+    envelope = parser.parse(xml).Envelope;
+  } catch (error) {
+    throw new SanMarError(`SanMar returned unreadable XML (${res.status})`, codeForStatus(res.status), xml.slice(0, 500));
+  }
+
+  const soapBody = envelope?.Body || {};
+  if (soapBody.Fault) {
+    const message = String(soapBody.Fault.faultstring || "SOAP fault");
+    throw new SanMarError(message, classifyFault(message), soapBody.Fault.faultcode || "");
+  }
+  if (!res.ok) {
+    throw new SanMarError(`SanMar API request failed (${res.status})`, codeForStatus(res.status), xml.slice(0, 500));
+  }
+
+  const result = soapBody[`${operation}Response`]?.return;
+  if (!result) throw new SanMarError(`SanMar returned no ${operation} result`, "supplier_unavailable");
+
+  if (String(result.errorOccured ?? result.errorOccurred) === "true") {
+    const message = String(result.message || "SanMar reported an error");
+    throw new SanMarError(message, classifyFault(message));
+  }
+  return result;
+}
@@ -1,15 +1,117 @@
-export async function fetchSanMarCatalog(search) {
-  const endpoint = "https://api.sanmar.com/v1/products";
-  const res = await fetch(`${endpoint}?search=${encodeURIComponent(search)}`, {
-    headers: {
-      Authorization: `Basic ${Buffer.from(
-        `${process.env.SANMAR_USER}:${process.env.SANMAR_PASS}`
-      ).toString("base64")}`,
-      "X-Account": process.env.SANMAR_ACCOUNT,
-    },
+import { soapRequest, sanmarCredentials, toXml, SanMarError } from "./sanmar-client.js";
+
+const num = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+
+// Maps one getProductInfoByStyleColorSize listResponse entry to a flat row.
+function toProductRow(entry) {
+  const basic = entry.productBasicInfo || {};
+  const image = entry.productImageInfo || {};
+  const price = entry.productPriceInfo || {};
+  const piecePrice = num(price.piecePrice);
+  const salePrice = num(price.pieceSalePrice);
+
+  return {
+    sku: basic.uniqueKey || [basic.style, basic.catalogColor || basic.color, basic.size].join("-"),
+    brandName: basic.brandName || "",
+    styleName: basic.style || "",
+    title: basic.productTitle || "",
+    colorName: basic.color || "",
+    catalogColor: basic.catalogColor || "",
+    sizeName: basic.size || "",
+    sizeIndex: num(basic.sizeIndex),
+    inventoryKey: basic.inventoryKey || "",
+    gtin: basic.gtin || "",
+    pieceWeight: num(basic.pieceWeight),
+    piecePrice,
+    dozenPrice: num(price.dozenPrice),
+    casePrice: num(price.casePrice),
+    salePrice,
+    colorFrontImage: image.frontModel || image.colorProductImage || image.productImage || "",
+    colorBackImage: image.backModel || "",
+    colorSwatchImage: image.colorSquareImage || "",
+  };
+}
+
+export async function getSanMarProductInfo({ style, color = "", size = "" }) {
+  const body =
+    `<arg0>${toXml({ style, color, size })}</arg0>` +
+    `<arg1>${toXml(sanmarCredentials())}</arg1>`;
+  const result = await soapRequest("product", "getProductInfoByStyleColorSize", body);
+  return (result.listResponse || []).map(toProductRow);
+}
+
+export async function getSanMarPricing({ style, color = "", size = "" }) {
+  const body =
+    `<arg0>${toXml({ style, color, size, inventoryKey: "", sizeIndex: "" })}</arg0>` +
+    `<arg1>${toXml(sanmarCredentials())}</arg1>`;
+  const result = await soapRequest("pricing", "getPricing", body);
+  return (result.listResponse || []).map((p) => ({
+    styleName: p.style || style,
+    colorName: p.color || color,
+    sizeName: p.size || size,
+    piecePrice: num(p.piecePrice),
+    dozenPrice: num(p.dozenPrice),
+    casePrice: num(p.casePrice),
+    salePrice: num(p.pieceSalePrice ?? p.salePrice),
+    myPrice: num(p.myPrice),
+  }));
+}
+
+// The inventory port takes positional args: customer number, user, password, style, color, size.
+export async function getSanMarInventory({ style, color = "", size = "" }) {
+  const creds = sanmarCredentials();
+  const body = toXml({
+    arg0: creds.sanMarCustomerNumber,
+    arg1: creds.sanMarUserName,
+    arg2: creds.sanMarUserPassword,
+    arg3: style,
+    arg4: color,
+    arg5: size,
   });
+  const result = await soapRequest("inventory", "getInventoryQtyForStyleColorSize", body);
+  const response = result.response || {};
+
+  let warehouses = [];
+  if (response.skus) {
+    warehouses = [].concat(response.skus.sku || []).flatMap((sku) =>
+      (sku.whse || []).map((w) => ({ warehouse: String(w.whseName || w.whseID), qty: Number(w.qty) || 0 }))
+    );
+  } else if (response.int) {
+    warehouses = response.int.map((qty, i) => ({ warehouse: String(i + 1), qty: Number(qty) || 0 }));
+  }
+
+  return {
+    styleName: style,
+    colorName: color,
+    sizeName: size,
+    warehouses,
+    total: warehouses.reduce((sum, w) => sum + w.qty, 0),
+  };
+}
+
+// The inventory service answers one size at a time and expects SanMar's catalog color code.
+export async function fetchSanMarInventory({ style, color = "", colorCode = "", sizes = [] }) {
+  const results = await Promise.all(
+    sizes.map((size) => getSanMarInventory({ style, color: colorCode || color, size }))
+  );
+  return results.map((r) => ({
+    sku: "",
+    color,
+    size: r.sizeName,
+    total: r.total,
+    warehouses: r.warehouses,
+  }));
+}
+
+// SanMar has no keyword search, so the query is treated as a style number.
+export async function fetchSanMarCatalog(search) {
+  const style = String(search || "").trim().toUpperCase();
+  if (!style) return [];
 
-  if (!res.ok) throw new Error("SanMar API request failed");
-  const data = await res.json();
-  return data.products || [];
+  try {
+    return await getSanMarProductInfo({ style });
+  } catch (error) {
+    if (error instanceof SanMarError && error.code === "not_found") return [];
+    throw error;
+  }
 }
@@ -0,0 +1,40 @@
+import { requireEnv, reportMissingEnv } from "./env.js";
+import { supplierFetch } from "./http-client.js";
+import { CatalogError, codeForStatus } from "./errors.js";
+
+export const SNS_BASE_URL = "https://api.ssactivewear.com/v2";
+
+reportMissingEnv("sns");
+
+export class SNSError extends CatalogError {
+  constructor(message, upstreamStatus, detail = "") {
+    super(codeForStatus(upstreamStatus), message, { supplier: "sns", detail });
+    this.name = "SNSError";
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// S&S v2 uses Basic auth with the account number as user and the API key as password.
+function snsHeaders() {
+  requireEnv("sns");
+  const credentials = `${process.env.SNS_ACCOUNT}:${process.env.SNS_API_KEY}`;
+  return {
+    Authorization: `Basic ${Buffer.from(credentials).toString("base64")}`,
+    Accept: "application/json",
+  };
+}
+
+export async function snsRequest(path, params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") query.set(key, value);
+  }
+
+  const res = await supplierFetch("sns", `${SNS_BASE_URL}/${path}/?${query}`, { headers: snsHeaders() });
+  const text = await res.text();
+
+  if (!res.ok) {
+    throw new SNSError(`S&S API request failed (${res.status})`, res.status, text.slice(0, 500));
+  }
+  return text ? JSON.parse(text) : [];
+}
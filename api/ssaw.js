@@ -1,9 +1,94 @@
+import { snsRequest } from "./sns-client.js";
+import { CatalogError, toCatalogError, errorBody } from "./errors.js";
+import { cached, setCacheHeaders } from "./cache.js";
+
+const ALLOWED_PATHS = ["products", "styles", "categories", "inventory", "specs"];
+const FORWARDED_PARAMS = ["style", "partnumber", "styleid", "fields"];
+
+// S&S has no keyword search, so the query is tried as a style name, part number and style id.
 export async function fetchSNSCatalog(search) {
-  const API_URL = `https://api.ssactivewear.com/v2/products?search=${encodeURIComponent(search)}`;
-  const headers = {
-    Authorization: `Basic ${Buffer.from(process.env.SNS_API_KEY + ":").toString("base64")}`,
-  };
-  const res = await fetch(API_URL, { headers });
-  if (!res.ok) throw new Error("S&S API request failed");
-  return await res.json();
+  const q = String(search || "").trim();
+  if (!q) return [];
+
+  const settled = await Promise.allSettled([
+    snsRequest("products", { style: q }),
+    snsRequest("products", { partnumber: q }),
+    snsRequest("products", { styleid: q }),
+  ]);
+
+  const failures = settled.filter((s) => s.status === "rejected").map((s) => s.reason);
+  if (failures.length === settled.length && failures.some((e) => e.code !== "not_found")) {
+    throw failures[0];
+  }
+
+  const seen = new Set();
+  const rows = settled
+    .flatMap((s) => (s.status === "fulfilled" && Array.isArray(s.value) ? s.value : []))
+    .filter((r) => {
+      const key = `${r.sku || ""}|${r.sizeName || ""}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const styleIds = Array.from(new Set(rows.map((r) => r.styleID).filter(Boolean)));
+  if (styleIds.length) {
+    try {
+      const styles = await snsRequest("styles", { styleid: styleIds.join(","), fields: "styleID,title" });
+      const titleById = Object.fromEntries(styles.map((s) => [s.styleID, s.title || ""]));
+      rows.forEach((r) => (r.styleTitle = titleById[r.styleID] || ""));
+    } catch (error) {
+      console.error("S&S style titles unavailable", error);
+    }
+  }
+  return rows;
+}
+
+// S&S inventory rows carry only sku ids, so product rows supply the color and size labels.
+export async function fetchSNSInventory({ style, color = "", sizes = [] }) {
+  const [stock, products] = await Promise.all([
+    snsRequest("inventory", { style }),
+    snsRequest("products", { style, fields: "sku,colorName,sizeName" }),
+  ]);
+  const labels = new Map(products.map((p) => [p.sku, p]));
+
+  return stock
+    .map((s) => {
+      const label = labels.get(s.sku) || {};
+      const warehouses = (s.warehouses || []).map((w) => ({ warehouse: w.warehouseAbbr, qty: Number(w.qty) || 0 }));
+      return {
+        sku: s.sku,
+        color: label.colorName || "",
+        size: label.sizeName || "",
+        total: warehouses.reduce((sum, w) => sum + w.qty, 0),
+        warehouses,
+      };
+    })
+    .filter((i) => (!color || i.color === color) && (!sizes.length || sizes.includes(i.size)));
+}
+
+// Raw S&S passthrough: /api/ssaw?path=products&style=5000&fields=...
+export default async function handler(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const path = url.searchParams.get("path") || "";
+
+  if (!ALLOWED_PATHS.includes(path)) {
+    const error = new CatalogError("bad_query", `Invalid path "${path}"`, { supplier: "sns" });
+    return res.status(error.status).json({ ...errorBody(error), allowed: ALLOWED_PATHS });
+  }
+
+  const params = {};
+  for (const key of FORWARDED_PARAMS) {
+    params[key] = url.searchParams.get(key);
+  }
+
+  try {
+    const { value, status } = await cached(path, { supplier: "sns", ...params }, () => snsRequest(path, params));
+    setCacheHeaders(res, path, status);
+    res.status(200).json(value);
+  } catch (error) {
+    console.error(error);
+    const err = toCatalogError(error, "sns");
+    res.status(err.status).json({ ...errorBody(err), path, detail: err.detail });
+  }
 }
@@ -0,0 +1,52 @@
+import { fetchSNSCatalog, fetchSNSInventory } from "./ssaw.js";
+import { snsRequest } from "./sns-client.js";
+import { fetchSanMarCatalog, getSanMarProductInfo, fetchSanMarInventory } from "./sanmar.js";
+import { normalizeSNSProduct, normalizeSanMarProduct } from "./normalize.js";
+
+const suppliers = new Map();
+
+// Each supplier provides search(query), getStyle(style), normalize(row) and
+// getInventory({ style, color, colorCode, sizes }) resolving to [{ sku, color, size, total, warehouses }]. Registration order is the default fallback order.
+export function registerSupplier(id, adapter) {
+  for (const fn of ["search", "getStyle", "getInventory", "normalize"]) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`Supplier "${id}" is missing ${fn}()`);
+    }
+  }
+  suppliers.set(id, { id, ...adapter });
+}
+
+export function getSupplier(id) {
+  return suppliers.get(id);
+}
+
+export function listSuppliers() {
+  return Array.from(suppliers.keys());
+}
+
+// Primary supplier first, then the rest of ?fallback=a,b / CATALOG_FALLBACK_ORDER / registration order.
+// ?fallback=none queries the primary supplier only.
+export function fallbackOrder(primary, override) {
+  const configured = override || process.env.CATALOG_FALLBACK_ORDER || "";
+  if (configured.trim() === "none") return [primary];
+
+  const rest = configured
+    ? configured.split(",").map((s) => s.trim()).filter(Boolean)
+    : listSuppliers();
+
+  return [primary, ...rest.filter((id) => id !== primary && suppliers.has(id))];
+}
+
+registerSupplier("sns", {
+  search: fetchSNSCatalog,
+  getStyle: (style) => snsRequest("products", { style }),
+  getInventory: fetchSNSInventory,
+  normalize: normalizeSNSProduct,
+});
+
+registerSupplier("sanmar", {
+  search: fetchSanMarCatalog,
+  getStyle: (style) => getSanMarProductInfo({ style }),
+  getInventory: fetchSanMarInventory,
+  normalize: normalizeSanMarProduct,
+});
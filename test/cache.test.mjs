@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cached, cacheKey, memoryBackend, setCacheBackend } from "../api/cache.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fractional seconds keep the fresh and stale windows short enough to wait out.
+process.env.CACHE_TTL_SWR = "0.1";
+process.env.CACHE_STALE_SWR = "0.2";
+process.env.CACHE_TTL_OFF = "0";
+
+test("cache keys ignore parameter order, case and empty values", () => {
+  assert.equal(cacheKey("catalog", { query: " Gildan ", supplier: "sns", page: "" }), cacheKey("catalog", { supplier: "SNS", query: "gildan" }));
+});
+
+test("serves fresh, then stale while revalidating, then misses once expired", async () => {
+  setCacheBackend(memoryBackend());
+  let version = 0;
+  const loader = async () => ++version;
+
+  assert.deepEqual(await cached("swr", { q: "a" }, loader), { value: 1, status: "MISS" });
+  assert.deepEqual(await cached("swr", { q: "a" }, loader), { value: 1, status: "HIT" });
+
+  await sleep(120);
+  assert.deepEqual(await cached("swr", { q: "a" }, loader), { value: 1, status: "STALE" });
+  await sleep(5);
+  assert.deepEqual(await cached("swr", { q: "a" }, loader), { value: 2, status: "HIT" });
+
+  await sleep(350);
+  assert.deepEqual(await cached("swr", { q: "a" }, loader), { value: 3, status: "MISS" });
+});
+
+test("concurrent misses share one loader call", async () => {
+  setCacheBackend(memoryBackend());
+  let calls = 0;
+  const loader = async () => {
+    calls++;
+    await sleep(10);
+    return "rows";
+  };
+  const results = await Promise.all([1, 2, 3].map(() => cached("swr", { q: "shared" }, loader)));
+  assert.equal(calls, 1);
+  assert.deepEqual(results.map((r) => r.value), ["rows", "rows", "rows"]);
+});
+
+test("a zero ttl bypasses the cache", async () => {
+  let calls = 0;
+  await cached("off", {}, async () => ++calls);
+  const result = await cached("off", {}, async () => ++calls);
+  assert.deepEqual(result, { value: 2, status: "BYPASS" });
+});
+
+test("the memory backend evicts the least recently read entry", async () => {
+  const backend = memoryBackend(2);
+  const entry = (value) => ({ value, staleUntil: Date.now() + 60000 });
+  await backend.set("a", entry(1));
+  await backend.set("b", entry(2));
+  await backend.get("a");
+  await backend.set("c", entry(3));
+  assert.equal((await backend.get("a")).value, 1);
+  assert.equal(await backend.get("b"), null);
+  assert.equal((await backend.get("c")).value, 3);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.BREAKER_THRESHOLD = "2";
+process.env.BREAKER_COOLDOWN_MS = "50";
+const { supplierFetch, circuitState } = await import("../api/http-client.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const response = (status, headers = {}) => ({ status, headers: { get: (name) => headers[name] ?? null } });
+
+function mockFetch(handler) {
+  let calls = 0;
+  globalThis.fetch = async (...args) => handler(++calls, ...args);
+  return () => calls;
+}
+
+test("plain 500s trip the breaker without being retried", async () => {
+  process.env.E500_RETRIES = "2";
+  const calls = mockFetch(() => response(500));
+  assert.equal((await supplierFetch("e500", "x")).status, 500);
+  assert.equal(calls(), 1);
+  await supplierFetch("e500", "x");
+  assert.equal(circuitState("e500"), "open");
+  await assert.rejects(supplierFetch("e500", "x"), { code: "supplier_unavailable" });
+});
+
+test("retryable statuses are retried, honoring Retry-After", async () => {
+  process.env.RETRY_RETRIES = "2";
+  const calls = mockFetch((n) => response(n < 3 ? 503 : 200, { "retry-after": "0" }));
+  assert.equal((await supplierFetch("retry", "x")).status, 200);
+  assert.equal(calls(), 3);
+  assert.equal(circuitState("retry"), "closed");
+});
+
+test("a successful response resets the failure count", async () => {
+  process.env.RESET_RETRIES = "0";
+  mockFetch((n) => response(n === 2 ? 200 : 500));
+  await supplierFetch("reset", "x");
+  await supplierFetch("reset", "x");
+  await supplierFetch("reset", "x");
+  assert.equal(circuitState("reset"), "closed");
+});
+
+test("calls queued behind a half-open trial follow its outcome", async () => {
+  process.env.TRIAL_RETRIES = "0";
+  let status = 500;
+  const calls = mockFetch(async () => {
+    await sleep(10);
+    return response(status);
+  });
+  await supplierFetch("trial", "x");
+  await supplierFetch("trial", "x");
+  assert.equal(circuitState("trial"), "open");
+
+  await sleep(60);
+  status = 200;
+  const before = calls();
+  const ok = await Promise.allSettled([1, 2, 3].map(() => supplierFetch("trial", "x")));
+  assert.deepEqual(ok.map((r) => r.status), ["fulfilled", "fulfilled", "fulfilled"]);
+  assert.equal(calls() - before, 3);
+  assert.equal(circuitState("trial"), "closed");
+
+  status = 500;
+  await supplierFetch("trial", "x");
+  await supplierFetch("trial", "x");
+  await sleep(60);
+  const failed = await Promise.allSettled([1, 2, 3].map(() => supplierFetch("trial", "x")));
+  assert.deepEqual(failed.map((r) => r.status), ["fulfilled", "rejected", "rejected"]);
+  assert.equal(circuitState("trial"), "open");
+});
+
+test("concurrency never exceeds the supplier limit", async () => {
+  process.env.CONC_CONCURRENCY = "2";
+  process.env.CONC_RETRIES = "0";
+  let active = 0;
+  let peak = 0;
+  mockFetch(async () => {
+    peak = Math.max(peak, ++active);
+    await sleep(5);
+    active--;
+    return response(200);
+  });
+  await Promise.all(Array.from({ length: 8 }, () => supplierFetch("conc", "x")));
+  assert.equal(peak, 2);
+});
+
+test("bursts up to the per-minute allowance go out without spacing", async () => {
+  process.env.BURST_CONCURRENCY = "4";
+  process.env.BURST_RATE_PER_MINUTE = "60";
+  mockFetch(() => response(200));
+  const started = Date.now();
+  await Promise.all(Array.from({ length: 4 }, () => supplierFetch("burst", "x")));
+  assert.ok(Date.now() - started < 500);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeProducts, variantKey } from "../api/merge.js";
+
+const product = (provider, price, overrides = {}) => ({
+  provider,
+  sku: `${provider}-1`,
+  brand: "Gildan",
+  style: "5000",
+  title: "Heavy Cotton Tee",
+  variant: { color: "Black", size: "M" },
+  pricing: { best: price },
+  inventory: { total: 10 },
+  images: { front: "", back: "", swatch: "" },
+  ...overrides,
+});
+
+test("variant keys ignore case and extra whitespace", () => {
+  const a = product("sns", 3);
+  const b = product("sanmar", 3, { brand: " gildan ", variant: { color: "BLACK", size: "m" } });
+  assert.equal(variantKey(a), variantKey(b));
+});
+
+test("offers for the same variant are grouped cheapest first, unpriced last", () => {
+  const [variant, ...rest] = mergeProducts([
+    product("sns", 3.1),
+    product("other", 0),
+    product("sanmar", 2.9, { images: { front: "front.jpg", back: "", swatch: "" } }),
+  ]);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(variant.offers.map((o) => o.provider), ["sanmar", "sns", "other"]);
+  assert.equal(variant.bestPrice, 2.9);
+  assert.equal(variant.bestProvider, "sanmar");
+  assert.equal(variant.images.front, "front.jpg");
+});
+
+test("different sizes stay separate variants in input order", () => {
+  const merged = mergeProducts([product("sns", 3), product("sns", 4, { variant: { color: "Black", size: "L" } })]);
+  assert.deepEqual(merged.map((v) => v.variant.size), ["M", "L"]);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeProduct, isValidProduct } from "../api/normalize.js";
+import { CatalogError } from "../api/errors.js";
+
+test("S&S rows normalize to the shared schema", () => {
+  const product = normalizeProduct({
+    provider: "sns",
+    sku: "B00760004",
+    brandName: "Gildan",
+    styleName: "5000",
+    colorName: "Black",
+    sizeName: "M",
+    piecePrice: "3.10",
+    customerPrice: "2.85",
+    warehouses: [{ warehouseAbbr: "IL", qty: 12 }, { warehouseAbbr: "NV", qty: "3" }],
+  });
+  assert.equal(product.provider, "sns");
+  assert.equal(product.pricing.best, 2.85);
+  assert.equal(product.inventory.total, 15);
+  assert.ok(isValidProduct(product));
+});
+
+test("rows missing required fields keep their issues", () => {
+  const product = normalizeProduct({ provider: "sns", sku: "X", brandName: "Gildan" });
+  assert.deepEqual(product.issues, ["style", "variant.color", "variant.size"]);
+  assert.equal(isValidProduct(product), false);
+});
+
+test("an unknown provider is a coded catalog error", () => {
+  assert.throws(() => normalizeProduct({ provider: "acme", sku: "1" }), (error) => {
+    assert.ok(error instanceof CatalogError);
+    assert.equal(error.code, "bad_query");
+    assert.equal(error.supplier, "acme");
+    return true;
+  });
+});
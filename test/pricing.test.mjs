@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+// The engine lives inline in index.html; evaluate just that block so it runs without a browser.
+const html = readFileSync(new URL("../index.html", import.meta.url), "utf8");
+const start = html.indexOf("const Pricing=(()=>{");
+const source = html.slice(start, html.indexOf("\n})();", start) + 6);
+const Pricing = vm.runInNewContext(`${source}\nPricing`, { Intl });
+
+const line = (units, decorationEach = 0) => ({ id: "a", units, decorationEach });
+
+test("every amount is whole cents", () => {
+  const q = Pricing.quote({ lines: [line([{ qty: 3, unitPrice: 2.2, markupPct: 35 }], 1.1)], setup: 12.34, rate: 1.37 });
+  for (const key of ["garmentCost", "garmentEach", "decorationEach", "pricePerPiece", "setup", "subtotal", "tax", "grandTotal"]) {
+    assert.ok(Number.isInteger(q[key]), `${key} = ${q[key]}`);
+  }
+  assert.ok(Number.isInteger(q.lines[0].decorationEach));
+});
+
+test("each stage is rounded by its own rule", () => {
+  const input = { lines: [line([{ qty: 10, unitPrice: 4.02, markupPct: 0 }], 0.5)], setup: 10.1 };
+  const q = Pricing.quote(input);
+  assert.equal(q.pricePerPiece, 450);
+  assert.equal(q.setup, 1000);
+  assert.equal(q.grandTotal, 5500);
+
+  const exact = Pricing.quote(input, { pricePerPiece: "none", setup: "none", grandTotal: "none" });
+  assert.equal(exact.pricePerPiece, 452);
+  assert.equal(exact.grandTotal, 4520 + 1010);
+});
+
+test("rounding rules and cent conversion", () => {
+  assert.equal(Pricing.toCents(1.005), 101);
+  assert.equal(Pricing.roundCents(1087, "quarter"), 1075);
+  assert.equal(Pricing.roundCents(1088, "quarter"), 1100);
+  assert.equal(Pricing.roundCents(1001, "up-quarter"), 1025);
+  assert.equal(Pricing.roundCents(1000, "up-dollar"), 1000);
+});
+
+test("USD supplier amounts convert at the quote rate; quote-currency amounts do not", () => {
+  const input = {
+    lines: [line([{ qty: 10, unitPrice: 4, upcharge: 1, markupPct: 0 }], 2)],
+    setup: 20,
+    shipping: 15,
+    discounts: [{ type: "fixed", value: 5, target: "order", when: "before" }],
+  };
+  const usd = Pricing.quote(input);
+  const cad = Pricing.quote({ ...input, rate: 1.5 });
+  assert.equal(cad.garmentCost, usd.garmentCost * 1.5);
+  assert.equal(cad.upcharges, usd.upcharges * 1.5);
+  assert.equal(cad.decorationEach, usd.decorationEach * 1.5);
+  assert.equal(cad.setup, usd.setup * 1.5);
+  assert.equal(cad.shipping, usd.shipping);
+  assert.equal(cad.discountBeforeTax, 500);
+});
+
+test("a zero rate is not silently treated as 1", () => {
+  const q = Pricing.quote({ lines: [line([{ qty: 1, unitPrice: 4, markupPct: 0 }])], rate: 0 });
+  assert.equal(q.garmentCost, 0);
+});
+
+test("money formats for the currency and locale", () => {
+  assert.equal(Pricing.money(123456), "$1,234.56");
+  assert.equal(Pricing.money(-500, "CAD", "en-CA"), "-$5.00");
+  assert.equal(Pricing.money(1999, "CAD", "en-US"), "CA$19.99");
+  assert.equal(Pricing.money(1234, "C", "en-US"), "C 12.34");
+});
+
+test("tax follows the profile's shipping and setup rules", () => {
+  const input = { lines: [line([{ qty: 10, unitPrice: 10, markupPct: 0 }])], setup: 20, shipping: 15 };
+  const all = Pricing.quote({ ...input, tax: { rate: 10, shippingTaxable: true, setupTaxable: true } });
+  assert.equal(all.taxable, 13500);
+  assert.equal(all.tax, 1350);
+
+  const goodsOnly = Pricing.quote({ ...input, tax: { rate: 10, shippingTaxable: false, setupTaxable: false } });
+  assert.equal(goodsOnly.taxable, 10000);
+  assert.equal(goodsOnly.tax, 1000);
+  assert.equal(goodsOnly.grandTotal, 13500 + 1000);
+});
+
+test("exempt customers pay no tax and a bare taxPct still taxes everything", () => {
+  const input = { lines: [line([{ qty: 10, unitPrice: 10, markupPct: 0 }])], shipping: 10 };
+  const exempt = Pricing.quote({ ...input, tax: { rate: 8.25, exempt: true, label: "Tax exempt" } });
+  assert.equal(exempt.tax, 0);
+  assert.equal(exempt.taxExempt, true);
+  assert.equal(exempt.grandTotal, 11000);
+
+  const legacy = Pricing.quote({ ...input, taxPct: 10 });
+  assert.equal(legacy.taxable, 11000);
+  assert.equal(legacy.tax, 1100);
+});
+
+test("discounts before tax reduce the taxable amount, discounts after tax do not", () => {
+  const input = { lines: [line([{ qty: 10, unitPrice: 10, markupPct: 0 }])], tax: { rate: 10 } };
+  const before = Pricing.quote({ ...input, discounts: [{ type: "percent", value: 10, target: "order", when: "before" }] });
+  assert.equal(before.taxable, 9000);
+  assert.equal(before.grandTotal, 9900);
+
+  const after = Pricing.quote({ ...input, discounts: [{ type: "fixed", value: 10, target: "order", when: "after" }] });
+  assert.equal(after.tax, 1000);
+  assert.equal(after.grandTotal, 10000);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCatalogQuery, applyCatalogQuery } from "../api/query.js";
+
+const product = (brand, style, color, size, price, stock) => ({
+  brand,
+  style,
+  variant: { color, size, sizeIndex: null },
+  pricing: { best: price },
+  inventory: { total: stock },
+});
+
+const rows = [
+  product("Gildan", "5000", "Black", "XL", 3.5, 10),
+  product("Gildan", "5000", "Black", "S", 3, 0),
+  product("Gildan", "64000", "White", "M", 4, 5),
+  product("Bella", "3001", "Black", "M", 5, 2),
+];
+const query = (qs) => parseCatalogQuery(new URLSearchParams(qs));
+
+test("parses and clamps query parameters", () => {
+  const q = query("sort=bogus&dir=desc&page=0&pageSize=500&minPrice=abc&inStock=1");
+  assert.equal(q.sort, "brand");
+  assert.equal(q.dir, "desc");
+  assert.equal(q.page, 1);
+  assert.equal(q.pageSize, 100);
+  assert.equal(q.minPrice, null);
+  assert.equal(q.inStock, true);
+});
+
+test("facet counts apply every filter except their own", () => {
+  const { items, facets } = applyCatalogQuery(rows, query("brand=Gildan&color=Black"));
+  assert.equal(items.length, 2);
+  assert.deepEqual(facets.brand, [{ value: "Bella", count: 1 }, { value: "Gildan", count: 2 }]);
+  assert.deepEqual(facets.color, [{ value: "Black", count: 2 }, { value: "White", count: 1 }]);
+  assert.deepEqual(facets.size.map((f) => f.value), ["S", "XL"]);
+  assert.deepEqual(facets.price, { min: 3, max: 5 });
+  assert.equal(facets.inStock, 1);
+});
+
+test("filters by price and stock, sorts sizes by garment order and paginates", () => {
+  const page = applyCatalogQuery(rows, query("sort=size&pageSize=2&page=2"));
+  assert.equal(page.total, 4);
+  assert.equal(page.pages, 2);
+  assert.deepEqual(page.items.map((p) => p.variant.size), ["M", "XL"]);
+
+  const cheapInStock = applyCatalogQuery(rows, query("maxPrice=4&inStock=1&sort=price&dir=desc"));
+  assert.deepEqual(cheapInStock.items.map((p) => p.pricing.best), [4, 3.5]);
+});